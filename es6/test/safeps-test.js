@@ -1,4 +1,5 @@
 /* eslint no-console:0, no-unused-vars:0, no-sync:0 */
+/* global AbortController */
 
 // Import
 const assert = require('assert')
@@ -156,6 +157,40 @@ joe.describe('modules', function (describe, it) {
 		})
 	})
 
+	describe('parseCommand', function (describe, it) {
+		it('should split on collapsed whitespace', function () {
+			assert.deepEqual(safeps.parseCommand('  git   status\t-s '), ['git', 'status', '-s'])
+		})
+
+		it('should handle quotes and escapes', function () {
+			assert.deepEqual(
+				safeps.parseCommand(`git commit -m "fix the \\"bug\\"" --author='a b' c\\ d ''`),
+				['git', 'commit', '-m', 'fix the "bug"', '--author=a b', 'c d', '']
+			)
+		})
+
+		it('should throw on unbalanced quotes', function () {
+			assert.throws(function () {
+				safeps.parseCommand('git commit -m "fix the bug')
+			}, /unclosed " quote/)
+		})
+
+		it('should be used by spawn', function (done) {
+			safeps.spawn('node -e "console.log(process.argv.length)"  a', function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString().trim(), '2')
+				done()
+			})
+		})
+
+		it('should complete spawn with the parse error', function (done) {
+			safeps.spawn("node -e 'oops", function (err) {
+				errorEqual(err, 'unclosed')
+				done()
+			})
+		})
+	})
+
 	describe('spawn node', function (describe, it) {
 		it('should work asynchronously', function (done) {
 			safeps.spawn('node --version', function (err, stdout, stderr, status, signal) {
@@ -249,6 +284,1227 @@ joe.describe('modules', function (describe, it) {
 			})
 		})
 	})
+
+	describe('spawnHandle', function (describe, it) {
+		const script = "process.stdout.write('a\\nb'); process.stderr.write('c\\n'); setTimeout(function () { process.stdout.write('c\\n') }, 50)"
+
+		it('should emit the lines of each stream', function (done) {
+			const lines = []
+			let child = null
+			const handle = safeps.spawnHandle(['node', '-e', script], function (err, stdout) {
+				errorEqual(err, null)
+				assert.ok(child)
+				equal(stdout.toString(), 'a\nbc\n')
+				assert.deepEqual(lines.filter((line) => line[1] === 'stdout'), [['a', 'stdout'], ['bc', 'stdout']])
+				assert.deepEqual(lines.filter((line) => line[1] === 'stderr'), [['c', 'stderr']])
+				done()
+			})
+			handle.on('spawn', function (value) {
+				child = value
+			})
+			handle.on('line', function (line, stream) {
+				lines.push([line, stream])
+			})
+		})
+
+		it('should iterate the lines asynchronously', function (done) {
+			const iterator = safeps.spawnHandle(['node', '-e', script]).lines('stdout')
+			const lines = []
+			function next () {
+				iterator.next().then(function (item) {
+					if ( item.done ) {
+						assert.deepEqual(lines, ['a', 'bc'])
+						return done()
+					}
+					lines.push(item.value)
+					next()
+				}).catch(done)
+			}
+			next()
+		})
+
+		it('should throw the failure when iterating the lines', function (done) {
+			const iterator = safeps.spawnHandle(['node', '-e', 'process.exit(1)']).lines()
+			iterator.next().then(function () {
+				done(new Error('should have thrown'))
+			}, function (err) {
+				errorEqual(err, 'non-zero status code')
+				done()
+			})
+		})
+	})
+
+	describe('errors', function (describe, it) {
+		it('should provide the context of a non-zero exit', function (done) {
+			safeps.spawn(['node', '-e', "console.log('out'); process.exit(3)"], {cwd: __dirname}, function (err) {
+				equal(err instanceof safeps.NonZeroExitError, true)
+				equal(err instanceof safeps.SafepsError, true)
+				equal(err.code, 'ENONZERO')
+				equal(err.status, 3)
+				assert.deepEqual(err.args, ['-e', "console.log('out'); process.exit(3)"])
+				equal(err.cwd, __dirname)
+				equal(err.stdout.toString(), 'out\n')
+				equal(typeof err.durationMs, 'number')
+				errorEqual(err, 'Command exited with a non-zero status code.')
+				done()
+			})
+		})
+
+		it('should provide the context of a signal', function (done) {
+			safeps.spawn(['node', '-e', "process.kill(process.pid, 'SIGTERM')"], function (err) {
+				equal(err.code, 'ESIGNAL')
+				equal(err.signal, 'SIGTERM')
+				done()
+			})
+		})
+
+		it('should provide the context of a missing executable', function (done) {
+			safeps.spawn(['safeps-missing-executable', '--version'], function (err) {
+				equal(err instanceof safeps.NotFoundError, true)
+				equal(err.code, 'ENOTFOUND')
+				equal(err.command, 'safeps-missing-executable')
+				done()
+			})
+		})
+
+		it('should provide the context of a failed exec', function (done) {
+			safeps.exec('node -e "process.exit(4)"', function (err) {
+				equal(err.code, 'ENONZERO')
+				equal(err.status, 4)
+				assert.ok(err.cause)
+				done()
+			})
+		})
+	})
+
+	describe('combined output', function (describe, it) {
+		const script = "process.stdout.write('a\\n'); setTimeout(function () { process.stderr.write('b\\n'); setTimeout(function () { process.stdout.write('c\\n'); process.exit(1) }, 50) }, 50)"
+
+		it('should record the output of spawn in order', function (done) {
+			safeps.spawn(['node', '-e', script], {combined: true}, function (err, stdout, stderr, status, signal, result) {
+				assert.deepEqual(result.output.map((chunk) => chunk.stream), ['stdout', 'stderr', 'stdout'])
+				equal(safeps.joinOutput(result.output), 'a\nb\nc\n')
+				equal(safeps.joinOutput(result.output, 'stdout'), 'a\nc\n')
+				errorEqual(err, "The command's output:\n>\ta\n>\tb\n>\tc\n")
+				done()
+			})
+		})
+
+		it('should record the output of exec in order', function (done) {
+			safeps.exec(`node -e "${script}"`, {combined: true}, function (err, stdout, stderr, status, signal, result) {
+				equal(err.code, 'ENONZERO')
+				equal(safeps.joinOutput(result.output), 'a\nb\nc\n')
+				done()
+			})
+		})
+	})
+
+	describe('maxBuffer', function (describe, it) {
+		const command = ['node', '-e', "process.stdout.write('0123456789'); setTimeout(function () { process.stdout.write('abcdefghij') }, 50)"]
+
+		it('should kill a spawn that outputs too much', function (done) {
+			safeps.spawn(command, {maxBuffer: 15}, function (err, stdout) {
+				equal(err instanceof safeps.MaxBufferError, true)
+				equal(err.code, 'EMAXBUFFER')
+				equal(err.stream, 'stdout')
+				equal(stdout.toString(), '0123456789abcde')
+				done()
+			})
+		})
+
+		it('should keep the head of the output', function (done) {
+			safeps.spawn(command, {maxBuffer: 15, maxBufferMode: 'head'}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), '0123456789abcde\n[safeps truncated 5 bytes]\n')
+				done()
+			})
+		})
+
+		it('should keep the tail of the output', function (done) {
+			safeps.spawn(command, {maxBuffer: 15, maxBufferMode: 'tail', combined: true}, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(stdout.toString(), '\n[safeps truncated 5 bytes]\n56789abcdefghij')
+				equal(safeps.joinOutput(result.output), '0123456789abcdefghij')
+				done()
+			})
+		})
+
+		it('should convert the maxBuffer error of exec', function (done) {
+			safeps.exec('node --version', {maxBuffer: 2}, function (err) {
+				equal(err.code, 'EMAXBUFFER')
+				done()
+			})
+		})
+	})
+
+	describe('timeout', function (describe, it) {
+		it('should kill a spawn that takes too long', function (done) {
+			safeps.spawn(['node', '-e', 'setTimeout(function () {}, 10000)'], {timeout: 200}, function (err, stdout, stderr, status, signal) {
+				errorEqual(err, 'Command timed out after 200ms')
+				equal(err.code, 'ETIMEOUT')
+				assert.ok(err.durationMs >= 200)
+				equal(signal, 'SIGTERM')
+				done()
+			})
+		})
+
+		it('should escalate to SIGKILL when the kill signal is ignored', function (done) {
+			const command = ['node', '-e', "process.on('SIGTERM', function () {}); setTimeout(function () {}, 10000)"]
+			safeps.spawn(command, {timeout: 500, killTimeout: 200}, function (err, stdout, stderr, status, signal) {
+				equal(err.code, 'ETIMEOUT')
+				equal(signal, 'SIGKILL')
+				done()
+			})
+		})
+
+		it('should kill an exec that takes too long', function (done) {
+			safeps.exec('node -e "setTimeout(function () {}, 10000)"', {timeout: 200}, function (err) {
+				equal(err.code, 'ETIMEOUT')
+				done()
+			})
+		})
+
+		it('should kill the command of an exec and not only its shell', function (done) {
+			const startedAt = Date.now()
+			safeps.exec('node -e "setTimeout(function () {}, 5000)"; echo done', {timeout: 200}, function (err, stdout) {
+				equal(err.code, 'ETIMEOUT')
+				equal(stdout, '')
+				equal(Date.now() - startedAt < 3000, true, 'the command was killed')
+				done()
+			})
+		})
+	})
+
+	describe('retry', function (describe, it) {
+		// A script that fails until it has been run the given number of times, counting them in a file that it removes once it succeeds
+		function flaky (times) {
+			const counter = require('path').join(require('os').tmpdir(), `safeps-retry-${process.pid}-${Date.now()}`)
+			const script = `var fs = require('fs'), n = fs.existsSync(process.argv[1]) ? Number(fs.readFileSync(process.argv[1])) + 1 : 1; if ( n < ${times} ) { fs.writeFileSync(process.argv[1], String(n)); process.exit(1) } if ( n > 1 ) fs.unlinkSync(process.argv[1])`
+			return ['node', '-e', script, counter]
+		}
+
+		it('should retry a spawn until it succeeds', function (done) {
+			const command = flaky(3)
+			safeps.spawn(command, {retry: {attempts: 3, delay: 10}}, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(status, 0)
+				equal(require('fs').existsSync(command[3]), false, 'the counter was removed')
+				equal(result.attempts.length, 3)
+				equal(result.attempts[0].code, 'ENONZERO')
+				equal(result.attempts[2].code, null)
+				done()
+			})
+		})
+
+		it('should record every attempt on the error when all attempts fail', function (done) {
+			safeps.exec('node -e "process.exit(2)"', {retry: {attempts: 2, delay: 10}}, function (err) {
+				equal(err.code, 'ENONZERO')
+				equal(err.attempts.length, 2)
+				equal(err.attempts[1].status, 2)
+				done()
+			})
+		})
+
+		it('should not retry when retryOn declines', function (done) {
+			function retryOn (err) {
+				return err.status !== 2
+			}
+			safeps.spawn(['node', '-e', 'process.exit(2)'], {retry: {delay: 10, retryOn}}, function (err) {
+				equal(err.attempts.length, 1)
+				done()
+			})
+		})
+
+		it('should retry within spawnMultiple', function (done) {
+			safeps.spawnMultiple([flaky(2), ['node', '--version']], {retry: {delay: 10}}, function (err, results) {
+				errorEqual(err, null)
+				equal(results[0][5].attempts.length, 2)
+				equal(results[1][5].attempts.length, 1)
+				done()
+			})
+		})
+	})
+
+	describe('okCodes', function (describe, it) {
+		it('should accept the status codes that are a success', function (done) {
+			safeps.spawn(['node', '-e', 'process.exit(1)'], {okCodes: [0, 1]}, function (err, stdout, stderr, status) {
+				errorEqual(err, null)
+				equal(status, 1)
+				done()
+			})
+		})
+
+		it('should accept the status codes that the predicate accepts for exec', function (done) {
+			function okCodes (status) {
+				return status < 3
+			}
+			safeps.exec('node -e "process.exit(2)"', {okCodes}, function (err, stdout, stderr, status) {
+				errorEqual(err, null)
+				equal(status, 2)
+				equal(safeps.execSync('node -e "process.exit(3)"', {okCodes}).error.code, 'ENONZERO')
+				done()
+			})
+		})
+
+		it('should accept the status codes for execMultiple', function (done) {
+			safeps.execMultiple(['node -e "process.exit(1)"', 'node --version'], {okCodes: [0, 1]}, function (err, results) {
+				errorEqual(err, null)
+				equal(results.length, 2)
+				done()
+			})
+		})
+	})
+
+	describe('describeExit', function (describe, it) {
+		it('should describe the statuses of shells', function () {
+			equal(safeps.describeExit(127), 'the command could not be found')
+			equal(safeps.describeExit(137), 'the command was killed forcefully, often for running out of memory, as it received SIGKILL')
+			equal(safeps.describeExit(1), null)
+		})
+
+		it('should describe signals', function () {
+			equal(safeps.describeExit(null, 'SIGSEGV'), 'the command crashed with a segmentation fault')
+			equal(safeps.describeExit(null, 'SIGUSR2'), null)
+		})
+
+		it('should add the reason to the error message', function (done) {
+			safeps.spawn(['node', '-e', 'process.exit(127)'], function (err) {
+				errorEqual(err, 'This usually means the command could not be found.')
+				done()
+			})
+		})
+	})
+
+	describe('redact', function (describe, it) {
+		it('should mask strings, regular expressions and environment variables', function () {
+			const opts = {
+				redact: ['secret', /tok-[0-9]+/, {env: 'SAFEPS_TEST_TOKEN'}],
+				env: {SAFEPS_TEST_TOKEN: 'from-env'}
+			}
+			equal(safeps.redact('a secret, tok-123 and from-env', opts), 'a ***, *** and ***')
+			equal(safeps.redact('nothing', {}), 'nothing')
+		})
+
+		it('should mask the error message and command, but not the captured output', function (done) {
+			const command = ['node', '-e', 'console.log(process.argv[1]); process.exit(1)', 'secret']
+			safeps.spawn(command, {redact: 'secret'}, function (err, stdout) {
+				equal(err.message.indexOf('secret'), -1)
+				equal(err.message.indexOf('***') !== -1, true)
+				equal(err.args[2], '***')
+				equal(stdout.toString(), 'secret\n')
+				done()
+			})
+		})
+
+		it('should mask a secret that is output across chunks', function (done) {
+			const command = ['node', '-e', "process.stdout.write('the sec'); setTimeout(function () { process.stdout.write('ret\\nafter') }, 100)"]
+			const write = process.stdout.write
+			let written = ''
+			process.stdout.write = function (data) {
+				written += data
+				return true
+			}
+			safeps.spawn(command, {output: true, redact: 'secret'}, function (err) {
+				process.stdout.write = write
+				errorEqual(err, null)
+				equal(written, 'the ***\nafter')
+				done()
+			})
+		})
+
+		it('should mask the error that exec was given by node', function (done) {
+			safeps.exec('test secret = public', {redact: 'secret'}, function (err) {
+				equal(err.cause.message.indexOf('secret'), -1)
+				equal(err.cause.cmd.indexOf('secret'), -1)
+				equal(require('util').inspect(err).indexOf('secret'), -1)
+				done()
+			})
+		})
+
+		it('should mask the output that the error carries, but not the captured output', function (done) {
+			safeps.exec('echo the secret; echo the secret >&2; exit 1', {redact: 'secret'}, function (err, stdout) {
+				equal(require('util').inspect(err).indexOf('secret'), -1)
+				equal(err.stdout, 'the ***\n')
+				equal(err.stderr, 'the ***\n')
+				equal(stdout, 'the secret\n')
+				done()
+			})
+		})
+	})
+
+	describe('logFile', function (describe, it) {
+		const fs = require('fs')
+		const dir = require('path').join(require('os').tmpdir(), `safeps-logs-${process.pid}-${Date.now()}`)
+		function read (file) {
+			return fs.readFileSync(require('path').join(dir, file)).toString()
+		}
+		// Remove the files of a test, and the directory once they are all gone
+		function remove (...files) {
+			files.forEach((file) => fs.unlinkSync(require('path').join(dir, file)))
+			if ( !fs.readdirSync(dir).length )  fs.rmdirSync(dir)
+		}
+
+		it('should log each stream to its file', function (done) {
+			const command = ['node', '-e', "process.stdout.write('a\\nb'); process.stderr.write('c')"]
+			const opts = {
+				stdoutFile: require('path').join(dir, 'out.log'),
+				stderrFile: require('path').join(dir, 'err.log'),
+				logPrefixes: true
+			}
+			safeps.spawn(command, opts, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'a\nb')
+				equal(read('out.log'), '[stdout] a\n[stdout] b\n')
+				equal(read('err.log'), '[stderr] c\n')
+				remove('out.log', 'err.log')
+				done()
+			})
+		})
+
+		it('should log the output of a failed exec with timestamps', function (done) {
+			const opts = {logFile: require('path').join(dir, 'exec.log'), logTimestamps: true, redact: 'secret'}
+			safeps.exec('node -e "console.log(\'the secret\'); process.exit(1)"', opts, function (err) {
+				equal(err.code, 'ENONZERO')
+				assert.ok((/^\d{4}-\d\d-\d\dT[\d:.]+Z the \*\*\*\n$/).test(read('exec.log')), read('exec.log'))
+				remove('exec.log')
+				done()
+			})
+		})
+
+		it('should rotate the log file when it gets too big', function (done) {
+			const opts = {logFile: require('path').join(dir, 'rotate.log'), logMaxSize: 10, logMaxFiles: 2}
+			const command = ['node', '-e', "console.log('1234567')"]
+			safeps.spawnMultiple([command, command, command, command], opts, function (err) {
+				errorEqual(err, null)
+				equal(read('rotate.log'), '1234567\n')
+				equal(read('rotate.log.1'), '1234567\n')
+				equal(read('rotate.log.2'), '1234567\n')
+				equal(fs.existsSync(require('path').join(dir, 'rotate.log.3')), false)
+				remove('rotate.log', 'rotate.log.1', 'rotate.log.2')
+				done()
+			})
+		})
+
+		it('should rotate a log file shared by concurrent commands together', function (done) {
+			const opts = {logFile: require('path').join(dir, 'shared.log'), logMaxSize: 10, logMaxFiles: 5, concurrency: 0}
+			const command = ['node', '-e', "console.log('1234567')"]
+			safeps.spawnMultiple([command, command, command, command], opts, function (err) {
+				errorEqual(err, null)
+				equal(read('shared.log'), '1234567\n')
+				equal(read('shared.log.1'), '1234567\n')
+				equal(read('shared.log.2'), '1234567\n')
+				equal(read('shared.log.3'), '1234567\n')
+				equal(Object.keys(global.safepsGlobal.logWriters).length, 0)
+				remove('shared.log', 'shared.log.1', 'shared.log.2', 'shared.log.3')
+				done()
+			})
+		})
+	})
+
+	describe('outputFormat', function (describe, it) {
+		// Capture what is written to stdout while the test runs
+		function capture (next) {
+			const writes = []
+			const write = process.stdout.write
+			process.stdout.write = function (data) {
+				writes.push(data.toString())
+				return true
+			}
+			return function () {
+				process.stdout.write = write
+				next(writes)
+			}
+		}
+
+		it('should format prefixes', function () {
+			equal(safeps.formatPrefix('[{label}:{stream}] {elapsed} ', {label: 'build', stream: 'stdout', startedAt: Date.now()}), '[build:stdout] 0.0s ')
+			equal(safeps.formatPrefix('{label} ', {label: 'build', color: 'red'}), '\u001b[31mbuild \u001b[39m')
+			assert.ok((/^\d\d:\d\d:\d\d$/).test(safeps.formatPrefix('{time}')))
+		})
+
+		it('should only output complete lines', function (done) {
+			const command = ['node', '-e', "process.stdout.write('a'); setTimeout(function () { process.stdout.write('b\\nc') }, 100)"]
+			const restore = capture(function (writes) {
+				assert.deepEqual(writes.filter((data) => data.indexOf('[x]') !== -1), ['[x] ab\n', '[x] c\n'])
+				done()
+			})
+			safeps.spawn(command, {outputFormat: '[{label}] ', label: 'x'}, function (err) {
+				restore()
+				errorEqual(err, null)
+			})
+		})
+
+		it('should label and color each command of spawnMultiple', function (done) {
+			const commands = [['node', '-e', "console.log('hello')"], ['node', '-e', "console.log('hello')"]]
+			const opts = {outputFormat: '{label}| ', outputColor: true, labels: ['one', 'two'], concurrency: 2}
+			const restore = capture(function (writes) {
+				const one = writes.filter((data) => data.indexOf('one|') !== -1)
+				const two = writes.filter((data) => data.indexOf('two|') !== -1)
+				equal(one.length, 1)
+				equal(two.length, 1)
+				assert.ok((/^\u001b\[3\dmone\| \u001b\[39mhello\n$/).test(one[0]), one[0])
+				assert.ok((/^\u001b\[3\dmtwo\| \u001b\[39mhello\n$/).test(two[0]), two[0])
+				assert.notEqual(one[0].slice(0, 5), two[0].slice(0, 5))
+				done()
+			})
+			safeps.spawnMultiple(commands, opts, function (err) {
+				restore()
+				errorEqual(err, null)
+			})
+		})
+	})
+
+	describe('stdin', function (describe, it) {
+		const echo = ['node', '-e', 'process.stdin.pipe(process.stdout)']
+
+		it('should write a file', function (done) {
+			safeps.spawn(echo, {stdin: {file: __filename}}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.length, require('fs').statSync(__filename).size)
+				done()
+			})
+		})
+
+		it('should fail when the file does not exist', function (done) {
+			safeps.spawn(echo, {stdin: {file: require('path').join(__dirname, 'missing.txt')}}, function (err) {
+				equal(err.code, 'ENOENT')
+				done()
+			})
+		})
+
+		it('should fail and kill the child when the input is not supported', function (done) {
+			const startedAt = Date.now()
+			safeps.spawn(['node', '-e', 'setTimeout(function () {}, 10000)'], {stdin: {foo: 1}}, function (err) {
+				equal(err && err.code, 'ERR_INVALID_ARG_TYPE')
+				equal(Date.now() - startedAt < 5000, true, 'the child was killed')
+				done()
+			})
+		})
+
+		it('should pipe a stream', function (done) {
+			const PassThrough = require('stream').PassThrough
+			const stream = new PassThrough()
+			safeps.spawn(echo, {stdin: stream}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'streamed')
+				done()
+			})
+			stream.end('streamed')
+		})
+
+		it('should write the chunks of an iterable', function (done) {
+			safeps.spawn(echo, {stdin: ['a', 'b', 'c']}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'abc')
+				done()
+			})
+		})
+
+		it('should write the chunks of an async iterable', function (done) {
+			const chunks = ['a', 'b']
+			const iterable = {
+				[Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator')]: function () {
+					return {
+						next: () => Promise.resolve(chunks.length ? {done: false, value: chunks.shift()} : {done: true})
+					}
+				}
+			}
+			safeps.spawn(echo, {stdin: iterable}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'ab')
+				done()
+			})
+		})
+
+		it('should keep the stdin of the handle open', function (done) {
+			const handle = safeps.spawnHandle(echo, {stdin: {keepOpen: true}}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'one\ntwo\n')
+				done()
+			})
+			handle.stdin.write('one\n')
+			handle.once('line', function (line) {
+				equal(line, 'one')
+				handle.stdin.end('two\n')
+			})
+		})
+
+		it('should reject keeping the stdin open without the handle', function (done) {
+			safeps.spawn(echo, {stdin: {keepOpen: true}}, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, 'only be {keepOpen: true} for spawnHandle')
+				equal(err.code, 'ERR_INVALID_ARG_VALUE')
+				equal(result.pid, null)
+				safeps.promises.exec('cat', {stdin: {keepOpen: true}}).catch(function (err) {
+					equal(err.code, 'ERR_INVALID_ARG_VALUE')
+					done()
+				})
+			})
+		})
+	})
+
+	describe('spawnPipeline', function (describe, it) {
+		const lines = ['node', '-e', "console.log('one\\ntwo\\nthree')"]
+		const grep = ['node', '-e', "process.stdin.on('data', function (data) { process.stdout.write(String(data).split('\\n').filter(function (line) { return line.indexOf('t') !== -1 }).join('\\n')) })"]
+		const fail = ['node', '-e', "process.stdin.resume(); process.stdin.on('end', function () { process.exit(3) })"]
+
+		it('should pipe the output of each stage to the next', function (done) {
+			safeps.spawnPipeline([lines, grep, 'node -e "process.stdin.pipe(process.stdout)"'], function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'two\nthree')
+				equal(status, 0)
+				equal(result.stages.length, 3)
+				equal(result.stages[0].status, 0)
+				done()
+			})
+		})
+
+		it('should only use the status of the last stage without pipefail', function (done) {
+			safeps.spawnPipeline([fail, lines], {stdin: 'input'}, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(status, 0)
+				equal(result.stages[0].status, 3)
+				done()
+			})
+		})
+
+		it('should fail when any stage fails with pipefail', function (done) {
+			safeps.spawnPipeline([lines, fail, grep], {pipefail: true}, function (err, stdout, stderr, status) {
+				equal(err.code, 'ENONZERO')
+				equal(err.status, 3)
+				equal(status, 3)
+				done()
+			})
+		})
+
+		it('should complete when a later stage exits before reading everything', function (done) {
+			const endless = ['node', '-e', "setInterval(function () { process.stdout.write('y\\n') })"]
+			const head = ['node', '-e', "process.stdin.once('data', function (data) { process.stdout.write(String(data).split('\\n')[0]); process.exit(0) })"]
+			safeps.spawnPipeline([endless, head], function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'y')
+				equal(status, 0)
+				equal(result.stages[0].status !== 0, true, 'the earlier stage failed to write to the closed pipe')
+				done()
+			})
+		})
+	})
+
+	describe('encoding and parse', function (describe, it) {
+		const json = ['node', '-e', 'console.log(JSON.stringify({a: 1}))']
+
+		it('should give the same strings from every method', function (done) {
+			// The node on the path may not be the one running the tests, so compare the methods with each other
+			const expected = safeps.spawnSync('node --version', {encoding: 'utf8'}).stdout
+			equal(typeof expected, 'string')
+			equal(/^v\d+\.\d+\.\d+\n$/.test(expected), true, 'the version is a string')
+			equal(safeps.execSync('node --version', {encoding: 'utf8'}).stdout, expected)
+			safeps.spawn('node --version', {encoding: 'utf8'}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout, expected)
+				safeps.exec('node --version', {encoding: 'utf8'}, function (err, stdout) {
+					errorEqual(err, null)
+					equal(stdout, expected)
+					done()
+				})
+			})
+		})
+
+		it('should give buffers from exec', function (done) {
+			safeps.exec('node --version', {encoding: 'buffer'}, function (err, stdout, stderr) {
+				errorEqual(err, null)
+				equal(Buffer.isBuffer(stdout), true)
+				equal(Buffer.isBuffer(stderr), true)
+				done()
+			})
+		})
+
+		it('should parse the output as json', function (done) {
+			safeps.spawn(json, {parse: 'json'}, function (err, stdout) {
+				errorEqual(err, null)
+				assert.deepEqual(stdout, {a: 1})
+				equal(safeps.execSync('node -e "console.log(1); console.log(2)"', {parse: 'ndjson'}).stdout.join(), '1,2')
+				done()
+			})
+		})
+
+		it('should parse the output as lines', function (done) {
+			safeps.exec('node -e "console.log(\'a\\nb\')"', {parse: 'lines'}, function (err, stdout) {
+				errorEqual(err, null)
+				assert.deepEqual(stdout, ['a', 'b'])
+				done()
+			})
+		})
+
+		it('should fail with the raw output when it does not parse', function (done) {
+			safeps.spawn([process.execPath, '--version'], {parse: 'json'}, function (err, stdout) {
+				equal(err.code, 'EPARSE')
+				equal(err.stdout, process.version + '\n')
+				equal(err.message.indexOf(process.version) !== -1, true)
+				done()
+			})
+		})
+	})
+
+	describe('expect', function (describe, it) {
+		const login = ['node', '-e', [
+			'process.stdout.write("Username: ")',
+			'process.stdin.once("data", function (user) {',
+			'process.stdout.write("Password: ")',
+			'process.stdin.once("data", function (pass) {',
+			'console.log("hello " + user.toString().trim() + ":" + pass.toString().trim())',
+			'process.exit(0)',
+			'})',
+			'})'
+		].join('\n')]
+
+		it('should reply to the prompts in order', function (done) {
+			const expect = [
+				{match: /Username:/, send: 'bot\n'},
+				{match: 'Password:', send: () => 'secret\n'}
+			]
+			safeps.spawn(login, {expect}, function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.indexOf('hello bot:secret') !== -1, true)
+				done()
+			})
+		})
+
+		it('should fail with the expectation that did not match in time', function (done) {
+			const expect = [
+				{match: /Username:/, send: 'bot\n'},
+				{match: 'Token:', send: 'x\n', timeout: 200}
+			]
+			safeps.spawn(login, {expect}, function (err) {
+				equal(err.code, 'EEXPECT')
+				equal(err.step, 1)
+				equal(err.expectation, 'Token:')
+				equal(err.message.indexOf('Token:') !== -1, true)
+				done()
+			})
+		})
+
+		it('should fail when the command exits before an expectation', function (done) {
+			safeps.spawn('node --version', {expect: [{match: 'Username:', send: 'bot\n'}]}, function (err) {
+				equal(err.code, 'EEXPECT')
+				equal(err.step, 0)
+				done()
+			})
+		})
+	})
+
+	describe('killTree', function (describe, it) {
+		// The grandchild announces itself once it can be terminated, and says when it is
+		const grandchild = 'process.on("SIGTERM", function () { console.log("grandchild terminated"); process.exit(0) }); console.log("ready"); setTimeout(function () {}, 10000)'
+		const child = ['node', '-e', `require("child_process").spawn(process.execPath, ["-e", ${JSON.stringify(grandchild)}], {stdio: "inherit"}); setTimeout(function () {}, 10000)`]
+
+		// The tree is read from /proc, and its processes are compared by their start time there
+		if ( process.platform !== 'linux' )  return
+
+		it('should not force the kill once the tree has gone', function (done) {
+			const kill = process.kill
+			const signals = []
+			process.kill = function (pid, signal) {
+				signals.push(signal)
+				return kill.apply(process, arguments)
+			}
+			safeps.spawn(child, {timeout: 1000, killTree: true, killTimeout: 300}, function (err, stdout) {
+				equal(err.code, 'ETIMEOUT')
+				equal(stdout.toString().indexOf('grandchild terminated') !== -1, true)
+				setTimeout(function () {
+					process.kill = kill
+					equal(signals.indexOf('SIGTERM') !== -1, true, 'the tree was terminated')
+					equal(signals.indexOf('SIGKILL'), -1, 'the tree was not killed forcefully')
+					done()
+				}, 600)
+			})
+		})
+
+		it('should find and kill the tree of a process', function (done) {
+			const handle = safeps.spawnHandle(child, function (err, stdout, stderr, status, signal) {
+				equal(err.code, 'ESIGNAL')
+				equal(signal, 'SIGTERM')
+				equal(stdout.indexOf('grandchild terminated') !== -1, true)
+				done()
+			})
+			handle.once('line', function () {
+				safeps.getProcessTree(handle.child.pid, function (err, pids) {
+					errorEqual(err, null)
+					equal(pids.length, 2)
+					equal(pids[0], handle.child.pid)
+					safeps.killTree(handle.child.pid)
+				})
+			})
+		})
+
+		// The remaining tests abort
+		if ( typeof AbortController === 'undefined' )  return
+
+		it('should kill the descendants when aborted', function (done) {
+			const controller = new AbortController()
+			const handle = safeps.spawnHandle(child, {signal: controller.signal, killTree: true}, function (err, stdout) {
+				equal(err.code, 'EABORT')
+				equal(stdout.indexOf('grandchild terminated') !== -1, true)
+				done()
+			})
+			handle.once('line', () => controller.abort())
+		})
+
+		it('should kill the process group when detached', function (done) {
+			const controller = new AbortController()
+			const handle = safeps.spawnHandle(child, {signal: controller.signal, killTree: true, detached: true}, function (err, stdout) {
+				equal(err.code, 'EABORT')
+				equal(stdout.indexOf('grandchild terminated') !== -1, true)
+				done()
+			})
+			handle.once('line', () => controller.abort())
+		})
+	})
+
+	describe('usage', function (describe, it) {
+		const busy = ['node', '-e', 'const end = Date.now() + 500; while ( Date.now() < end ) {}']
+
+		it('should record when a command ran and what it used', function (done) {
+			safeps.spawn(busy, {usageInterval: 50}, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(result.endedAt - result.startedAt, result.durationMs)
+				equal(result.durationMs >= 500, true)
+				if ( process.platform === 'linux' ) {
+					equal(result.usage.userCpuMs + result.usage.systemCpuMs > 0, true)
+					equal(result.usage.maxRssBytes > 0, true)
+				}
+				done()
+			})
+		})
+
+		it('should record the usage of sync commands', function () {
+			const result = safeps.spawnSync(busy)
+			errorEqual(result.error, null)
+			equal(result.durationMs >= 500, true)
+			if ( process.platform === 'linux' ) {
+				equal(result.usage.userCpuMs + result.usage.systemCpuMs > 0, true)
+				equal(result.usage.maxRssBytes, null)
+			}
+		})
+
+		it('should summarize the usage of multiple commands', function (done) {
+			safeps.spawnMultiple([busy, 'node --version'], {usageInterval: 50}, function (err, results, summary) {
+				errorEqual(err, null)
+				equal(summary.commands.length, 2)
+				equal(summary.commands[0].command, busy)
+				equal(summary.commands[1].status, 0)
+				equal(summary.total.durationMs, summary.commands[0].durationMs + summary.commands[1].durationMs)
+				equal(summary.elapsedMs >= summary.total.durationMs, true)
+				done()
+			})
+		})
+	})
+
+	describe('limits', function (describe, it) {
+		const busy = 'while ( true ) {}'
+		if ( process.platform !== 'linux' )  return
+
+		it('should kill a child that uses too much CPU time', function (done) {
+			safeps.spawn(['node', '-e', busy], {limits: {maxCpuSeconds: 0.3}, usageInterval: 50, timeout: 10000}, function (err) {
+				equal(err.code, 'ELIMIT')
+				equal(err.limit, 'maxCpuSeconds')
+				equal(err.value > 0.3, true)
+				done()
+			})
+		})
+
+		it('should kill a child that uses too much memory', function (done) {
+			const grow = 'const chunks = []; setInterval(function () { chunks.push(Buffer.alloc(10 * 1024 * 1024, 1)) }, 20)'
+			safeps.spawn(['node', '-e', grow], {limits: {maxRssBytes: 150 * 1024 * 1024}, usageInterval: 50, timeout: 10000}, function (err) {
+				equal(err.code, 'ELIMIT')
+				equal(err.limit, 'maxRssBytes')
+				equal(err.value > err.max, true)
+				equal(err.message.indexOf(String(err.value)) !== -1, true)
+				done()
+			})
+		})
+
+		it('should include the descendants when asked', function (done) {
+			const parent = `require("child_process").spawn(process.execPath, ["-e", ${JSON.stringify(busy)}], {stdio: "ignore"}); setTimeout(function () {}, 10000)`
+			const opts = {limits: {maxCpuSeconds: 0.3, descendants: true}, killTree: true, usageInterval: 50, timeout: 10000}
+			safeps.spawn(['node', '-e', parent], opts, function (err) {
+				equal(err.code, 'ELIMIT')
+				equal(err.limit, 'maxCpuSeconds')
+				done()
+			})
+		})
+	})
+
+	describe('dryRun', function (describe, it) {
+		it('should plan the resolved command instead of running it', function (done) {
+			const plan = []
+			const opts = {dryRun: plan, cwd: __dirname, env: {...process.env, SAFEPS_DRY_RUN: 'yes'}}
+			safeps.spawn(['node', '-e', 'process.exit(1)'], opts, function (err, stdout, stderr, status, signal, result) {
+				errorEqual(err, null)
+				equal(status, 0)
+				equal(result.pid, null)
+				equal(plan.length, 1)
+				equal(plan[0].method, 'spawn')
+				equal(require('path').isAbsolute(plan[0].command[0]), true)
+				equal(plan[0].command[2], 'process.exit(1)')
+				equal(plan[0].cwd, __dirname)
+				assert.deepEqual(plan[0].env, {set: {SAFEPS_DRY_RUN: 'yes'}, unset: []})
+				equal(result.dryRun, plan[0])
+				done()
+			})
+		})
+
+		it('should plan multiple executions globally', function (done) {
+			safeps.clearPlan().setDryRun(true)
+			safeps.execMultiple(['exit 1', 'exit 2'], function (err, results) {
+				safeps.setDryRun(false)
+				errorEqual(err, null)
+				equal(results.length, 2)
+				equal(results[0][1], '')
+				assert.deepEqual(safeps.getPlan().map((entry) => entry.command), ['exit 1', 'exit 2'])
+				equal(safeps.execSync('exit 3', {dryRun: true}).status, 0)
+				equal(safeps.getPlan().length, 3)
+				safeps.clearPlan()
+				done()
+			})
+		})
+
+		it('should format commands that parse back the same', function () {
+			const command = ['git', 'commit', '-m', "it's fixed", '--author=bot']
+			equal(safeps.formatCommand(command), "git commit -m 'it'\\''s fixed' --author=bot")
+			assert.deepEqual(safeps.parseCommand(safeps.formatCommand(command)), command)
+		})
+	})
+
+	describe('mock', function (describe, it) {
+		it('should respond to the commands and check which ran', function (done) {
+			const mock = safeps.mock()
+				.on('git rev-parse HEAD', {stdout: 'abc123\n'})
+				.on(/^npm /, {status: 1, stderr: 'npm failed'})
+			safeps.spawn('git rev-parse HEAD', function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout.toString(), 'abc123\n')
+				safeps.exec('npm test', function (err, stdout, stderr, status) {
+					equal(err.code, 'ENONZERO')
+					equal(status, 1)
+					equal(stderr, 'npm failed')
+					equal(safeps.spawnSync(['not-a-command', '--flag']).error.code, 'EMOCK')
+					mock.assertCalls(['git rev-parse', /^npm test$/, ['not-a-command']])
+					assert.throws(() => mock.assertCalls(['git rev-parse']), /Expected the executions/)
+					equal(mock.calls[0].method, 'spawn')
+					assert.deepEqual(mock.calls[0].args, ['git', 'rev-parse', 'HEAD'])
+					mock.restore()
+					done()
+				})
+			})
+		})
+
+		it('should record and replay a fixture', function (done) {
+			const fixture = require('path').join(require('os').tmpdir(), `safeps-mock-${process.pid}-${Date.now()}.json`)
+			const random = ['node', '-e', 'console.log(Math.random()); process.exit(3)']
+			const recorder = safeps.mock({fixture, record: true})
+			safeps.spawn(random, function (err, recorded) {
+				equal(err.code, 'ENONZERO')
+				recorder.restore().save(function (err) {
+					errorEqual(err, null)
+					const replayer = safeps.mock({fixture})
+					safeps.spawn(random, function (err, replayed, stderr, status) {
+						replayer.restore()
+						equal(err.code, 'ENONZERO')
+						equal(status, 3)
+						equal(replayed.toString(), recorded.toString())
+						require('fs').unlinkSync(fixture)
+						done()
+					})
+				})
+			})
+		})
+	})
+
+	describe('setPolicy', function (describe, it) {
+		it('should only run the commands that are allowed and not denied', function (done) {
+			safeps.setPolicy({
+				allow: ['node', {command: 'git', args: ['--version']}],
+				deny: [{command: /^node$/, args: ['-e']}]
+			})
+			const notAllowed = safeps.spawnSync('git status')
+			equal(notAllowed.error.code, 'EPOLICY')
+			equal(notAllowed.error.rule, 'allow')
+			equal(safeps.spawnSync('git --version').error, null)
+			safeps.spawn(['node', '-e', 'process.exit(0)'], {safe: false}, function (err, stdout, stderr, status, signal, result) {
+				equal(err && err.code, 'EPOLICY')
+				equal(err && err.rule, 'deny')
+				equal(result.pid, null, 'nothing was spawned')
+				safeps.spawnPipeline(['node --version', 'cat'], function (err) {
+					equal(err && err.rule, 'allow', 'each stage is checked')
+					safeps.spawn(['node', '--version'], function (err) {
+						safeps.setPolicy(null)
+						errorEqual(err, null)
+						done()
+					})
+				})
+			})
+		})
+
+		it('should only run within the allowed directories, and without a shell if it is not allowed', function (done) {
+			safeps.setPolicy({allowShell: false, allowedCwdRoots: [__dirname]})
+			equal(safeps.execSync('node --version').error.rule, 'allowShell')
+			safeps.exec('node --version', function (err) {
+				equal(err && err.rule, 'allowShell')
+				safeps.spawn(['node', '--version'], {cwd: require('path').dirname(__dirname)}, function (err) {
+					equal(err && err.rule, 'allowedCwdRoots')
+					safeps.spawn(['node', '--version'], {cwd: __dirname}, function (err) {
+						safeps.setPolicy(null)
+						errorEqual(err, null)
+						done()
+					})
+				})
+			})
+		})
+
+		it('should not allow a shell once there is an allow, unless it is explicitly allowed', function (done) {
+			safeps.setPolicy({allow: ['node']})
+			safeps.exec('node --version; echo oops', function (err, stdout, stderr, status, signal, result) {
+				equal(err && err.rule, 'allowShell')
+				equal(result.pid, null, 'nothing was executed')
+				safeps.setPolicy({allow: ['node'], allowShell: true})
+				safeps.exec('node --version', function (err) {
+					safeps.setPolicy(null)
+					errorEqual(err, null)
+					done()
+				})
+			})
+		})
+	})
+
+	describe('setAuditLog', function (describe, it) {
+		const fs = require('fs')
+		const file = require('path').join(require('os').tmpdir(), `safeps-audit-${process.pid}-${Date.now()}.jsonl`)
+		function readLines () {
+			return fs.readFileSync(file).toString().trim().split('\n').map((line) => JSON.parse(line))
+		}
+
+		it('should record the sync and async executions to a path', function (done) {
+			safeps.setAuditLog(file)
+			const env = {...process.env, SAFEPS_AUDIT: 'yes'}
+			safeps.spawn(['node', '-e', 'process.exit(0)', 'secret'], {env, redact: 'secret'}, function (err) {
+				errorEqual(err, null)
+				safeps.execSync('exit 3')
+				safeps.setAuditLog(null)
+				const [spawned, executed] = readLines()
+				equal(spawned.method, 'spawn')
+				equal(require('path').isAbsolute(spawned.execPath), true, 'the exec path was resolved')
+				assert.deepEqual(spawned.argv.slice(1), ['-e', 'process.exit(0)', '***'])
+				assert.deepEqual(spawned.env, ['SAFEPS_AUDIT'])
+				equal(typeof spawned.pid, 'number')
+				equal(spawned.status, 0)
+				equal(spawned.code, null)
+				equal(executed.method, 'execSync')
+				assert.deepEqual(executed.argv.slice(1), ['-c', 'exit 3'])
+				equal(executed.status, 3)
+				equal(executed.code, 'ENONZERO')
+				fs.unlinkSync(file)
+				done()
+			})
+		})
+
+		it('should record each stage of a pipeline to a stream, but not planned executions', function (done) {
+			const lines = []
+			safeps.setAuditLog({write: (line) => lines.push(JSON.parse(line))})
+			safeps.spawn('node --version', {dryRun: true}, function (err) {
+				errorEqual(err, null)
+				safeps.spawnPipeline(['node --version', 'node -e process.stdin.resume()'], function (err) {
+					safeps.setAuditLog(null)
+					errorEqual(err, null)
+					equal(lines.length, 2)
+					assert.deepEqual(lines.map((line) => line.stage), [0, 1])
+					assert.deepEqual(lines.map((line) => line.status), [0, 0])
+					done()
+				})
+			})
+		})
+	})
+
+	describe('use', function (describe, it) {
+		it('should run the hooks around an execution, which can change its env', function (done) {
+			const events = []
+			const middleware = {
+				beforeResolve (context) {
+					events.push(`beforeResolve ${context.method}`)
+				},
+				beforeSpawn (context) {
+					events.push('beforeSpawn')
+					context.opts.env = {...process.env, SAFEPS_HOOK: 'injected'}
+				},
+				onOutput: (context, data, stream) => events.push(`onOutput ${stream}`),
+				afterExit: (context, result) => events.push(`afterExit ${result.status}`),
+				onError: () => events.push('onError')
+			}
+			safeps.use(middleware)
+			safeps.spawn(['node', '-e', 'console.log(process.env.SAFEPS_HOOK)'], function (err, stdout) {
+				safeps.unuse(middleware)
+				errorEqual(err, null)
+				equal(stdout.toString(), 'injected\n')
+				assert.deepEqual(events, ['beforeResolve spawn', 'beforeSpawn', 'onOutput stdout', 'afterExit 0'])
+				done()
+			})
+		})
+
+		it('should substitute the result when a hook returns one or throws', function (done) {
+			const errors = []
+			const middleware = {
+				beforeSpawn (context) {
+					if ( context.method === 'execSync' )  throw new Error('not allowed')
+					return {stdout: `substituted ${context.method}`}
+				},
+				onError: (context, error) => errors.push(error.message)
+			}
+			safeps.use(middleware)
+			equal(safeps.spawnSync('node --version').stdout.toString(), 'substituted spawnSync')
+			equal(safeps.execSync('exit 1').error.message, 'not allowed')
+			safeps.exec('exit 1', function (err, stdout) {
+				errorEqual(err, null)
+				equal(stdout, 'substituted exec')
+				safeps.spawnPipeline(['node --version', 'node --version'], function (err, stdout) {
+					safeps.unuse(middleware)
+					errorEqual(err, null)
+					equal(stdout.toString(), 'substituted spawnPipeline')
+					assert.deepEqual(errors, ['not allowed'])
+					done()
+				})
+			})
+		})
+
+		it('should run the hooks of each command of the multiple runners', function (done) {
+			const methods = []
+			const middleware = {
+				afterExit: (context) => methods.push(context.method)
+			}
+			safeps.use(middleware)
+			safeps.spawnMultiple(['node --version', 'node --version'], function (err) {
+				safeps.unuse(middleware)
+				errorEqual(err, null)
+				assert.deepEqual(methods, ['spawn', 'spawn'])
+				done()
+			})
+		})
+	})
+
+	describe('abort', function (describe, it) {
+		const sleep = ['node', '-e', 'setTimeout(function () {}, 10000)']
+		if ( typeof AbortController === 'undefined' )  return
+
+		it('should kill a running spawn when aborted', function (done) {
+			const controller = new AbortController()
+			safeps.spawn(sleep, {signal: controller.signal}, function (err, stdout, stderr, status, signal) {
+				equal(err.code, 'EABORT')
+				equal(signal, 'SIGTERM')
+				done()
+			})
+			setTimeout(() => controller.abort(), 200)
+		})
+
+		it('should not start an exec that was already aborted', function (done) {
+			const controller = new AbortController()
+			controller.abort('no longer needed')
+			safeps.exec('node --version', {signal: controller.signal}, function (err, stdout, stderr, status, signal, result) {
+				equal(err.code, 'EABORT')
+				equal(err.reason, 'no longer needed')
+				equal(result.pid, null)
+				done()
+			})
+		})
+
+		it('should complete a waiting spawn when aborted, without running it once its turn comes', function (done) {
+			const pool = global.safepsGlobal.pool
+			const concurrency = pool.config.concurrency
+			const blocker = new AbortController()
+			const controller = new AbortController()
+			let completions = 0
+			pool.setConfig({concurrency: 1})
+			safeps.spawn(sleep, {signal: blocker.signal}, function (err) {
+				equal(err.code, 'EABORT')
+				setTimeout(function () {
+					pool.setConfig({concurrency})
+					equal(completions, 1, 'the waiting spawn completed only once')
+					done()
+				}, 200)
+			})
+			safeps.spawn(['node', '--version'], {signal: controller.signal}, function (err, stdout, stderr, status, signal, result) {
+				completions++
+				equal(err.code, 'EABORT')
+				equal(result.pid, null)
+				blocker.abort()
+			})
+			setTimeout(() => controller.abort(), 200)
+		})
+
+		it('should cancel the remaining commands of spawnMultiple', function (done) {
+			const controller = new AbortController()
+			safeps.spawnMultiple([sleep, sleep, sleep], {signal: controller.signal}, function (err, results) {
+				equal(err.code, 'EABORT')
+				equal(results.length, 1)
+				done()
+			})
+			setTimeout(() => controller.abort(), 200)
+		})
+
+		it('should complete straight away when aborted while waiting to retry', function (done) {
+			const controller = new AbortController()
+			const startedAt = Date.now()
+			safeps.spawn(['node', '-e', 'process.exit(1)'], {retry: {delay: 4000}, signal: controller.signal}, function (err, stdout, stderr, status, signal, result) {
+				equal(err.code, 'EABORT')
+				equal(result.error, err)
+				equal(err.attempts.length, 1)
+				equal(Date.now() - startedAt < 2000, true, 'the abort was prompt')
+				done()
+			})
+			setTimeout(() => controller.abort(), 300)
+		})
+	})
+
+	describe('promises', function (describe, it) {
+		it('should resolve spawn with the result', function (done) {
+			safeps.promises.spawn('node --version').then(function (result) {
+				console.log('node version:', result.stdout.toString().trim())
+				equal(result.stdout instanceof Buffer, true)
+				equal(result.status, 0)
+				equal(typeof result.pid, 'number')
+				done()
+			}).catch(done)
+		})
+
+		it('should reject spawn with the status error', function (done) {
+			safeps.promises.spawn(['node', '-e', 'process.exit(2)']).then(function () {
+				done(new Error('should have rejected'))
+			}, function (err) {
+				errorEqual(err, 'Command exited with a non-zero status code.')
+				done()
+			})
+		})
+
+		it('should resolve exec with the result', function (done) {
+			safeps.promises.exec('node --version').then(function (result) {
+				assert.ok(result.stdout)
+				equal(result.status, 0)
+				done()
+			}).catch(done)
+		})
+
+		it('should resolve spawnMultiple with the results', function (done) {
+			safeps.promises.spawnMultiple(['node --version', 'npm --version']).then(function (results) {
+				equal(results.length, 2)
+				equal(results[1].status, 0)
+				done()
+			}).catch(done)
+		})
+
+		it('should resolve getExecPath with the path', function (done) {
+			safeps.promises.getExecPath('node').then(function (path) {
+				assert.ok(path)
+				done()
+			}).catch(done)
+		})
+	})
 })
 
 